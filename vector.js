@@ -1 +1,2 @@
- caterwaul.module( 'vector' , (function (qs,qs1,qs2,qs3,qs4,qs5,qs6,qs7,qs8,qs9,qsa,qsb,qsc,qsd,qse,qsf,qsg,qsh,qsi,qsj,qsk,qsl,qsm,qsn,qso,qsp,qsq,qsr,qss,qst,qsu,qsv,qsw,qsx,qsy,qsz,qs10,qs11,qs12,qs13,qs14,qs15,qs16,qs17,qs18,qs19,qs1a,qs1b,qs1c,qs1d,qs1e,qs1f,qs1g,qs1h,qs1i) {var result= ( function ($) { (function () {var generator =function (base, composite) { ; return function (n, prefix) { ; return(function () {var compiled_base = base(n) ; return rename($.merge( {} ,compiled_base, composite(compiled_base)) , prefix)}) .call(this)}} , rename =function (o, prefix) { ; return(function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (prefix || "") + '' + (x) + '')] = xs[x] ; return xr}) .call(this, o)} , compile_function =function (xs, e) { ; return(function () {var tree = (qs) .replace( {_formals: xs, _e: e}) ; return(function (it) {return it.tree =tree, it}) .call(this, ($.compile( tree)))}) .call(this)} , base_v =function (n) { ; return(function () {var r =function (n, formals, wrap, fold, each) { ; return(function () {var body = ( wrap) .replace( {x: (function (xs) {var x, x0, xi, xl, xr;for (var x0 = xs[0] , xi = 1, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (fold) .replace( {x: x0, y: x})) ; return x0}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (each) .replace( {i: ( '' + (x) + '')}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1))))}) ; return compile_function( formals, body)}) .call(this)} ; return{plus: r(n,qs1,qs2,qs3,qs4) , times: r(n,qs5,qs6,qs7,qs8) , minus: r(n,qs9,qsa,qsb,qsc) , scale: r(n,qsd,qse,qsf,qsg) , dot: r(n,qsh,qsi,qsj,qsk) , norm: r(n,qsl,qsm,qsn,qso) , min: r(n,qsp,qsq,qsr,qss) , macv: r(n,qst,qsu,qsv,qsw) , max: r(n,qsx,qsy,qsz,qs10) , macs: r(n,qs11,qs12,qs13,qs14) , mixv: r(n,qs15,qs16,qs17,qs18) , mixs: r(n,qs19,qs1a,qs1b,qs1c)}}) .call(this)} , composite_v =function (base) { ; return(function () {var ref_compile =function (functions, formals, body) { ; return(function () {var new_body = ( body) .replace( (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) x = xs[k] , xr[k] = (new $.expression_ref(x.tree)) ; return xr}) .call(this, functions)) ; return compile_function( formals, new_body)}) .call(this)} ; return{unit: ref_compile(base,qs1d,qs1e) , proj: ref_compile(base,qs1f,qs1g) , orth: ref_compile(base,qs1h,qs1i)}}) .call(this)} ; return $.vector = generator(base_v, composite_v)}) .call(this)}) ;result.caterwaul_expression_ref_table = {qs: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_formals\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \"_e\") .prefix( \" \"))) .prefix( \" \")))") ,qs1: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs2: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs3: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs4: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qs5: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs6: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs7: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs8: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qs9: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsa: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsb: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsc: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsd: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qse: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsf: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsg: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")") ,qsh: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsi: ( " new caterwaul.syntax( \"x\")") ,qsj: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qsk: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsl: ( " new caterwaul.syntax( \"a\")") ,qsm: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"x\"))") ,qsn: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qso: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsp: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsq: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsr: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qss: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"min\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))))") ,qst: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qsu: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsv: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsw: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qsx: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsy: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsz: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs10: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"max\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))))") ,qs11: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs12: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs13: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs14: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qs15: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs16: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs17: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs18: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qs19: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs1a: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs1b: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs1c: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs1d: ( " new caterwaul.syntax( \"a\")") ,qs1e: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \")))") ,qs1f: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs1g: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")))") ,qs1h: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs1i: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")))))")} ;return(result)}) .call(this,new caterwaul.syntax( "(" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_formals")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "_e") .prefix( " "))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "min")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "max")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))))))) ;
\ No newline at end of file
+ caterwaul.module( 'vector' , (function (qs,qs1,qs2,qs3,qs4,qs5,qs6,qs7,qs8,qs9,qsa,qsb,qsc,qsd,qse,qsf,qsg,qsh,qsi,qsj,qsk,qsl,qsm,qsn,qso,qsp,qsq,qsr,qss,qst,qsu,qsv,qsw,qsx,qsy,qsz,qs10,qs11,qs12,qs13,qs14,qs15,qs16,qs17,qs18,qs19,qs1a,qs1b,qs1c,qs1d,qs1e,qs1f,qs1g,qs1h,qs1i,qs1j,qs1k,qs1l,qs1m,qs1n,qs1o,qs1p,qs1q,qs1r,qs1s,qs1t,qs1u,qs1v,qs1w,qs1x,qs1y,qs1z,qs20,qs21,qs22,qs23,qs24,qs25,qs26,qs27,qs28,qs29,qs2a,qs2b,qs2c,qs2d,qs2e,qs2f,qs2g,qs2h,qs2i,qs2j,qs2k,qs2l,qs2m,qs2n,qs2o,qs2p,qs2q,qs2r,qs2s,qs2t,qs2u,qs2v,qs2w,qs2x,qs2y,qs2z,qs30,qs31,qs32,qs33,qs34,qs35,qs36,qs37,qs38,qs39,qs3a,qs3b,qs3c,qs3d,qs3e,qs3f,qs3g,qs3h,qs3i,qs3j,qs3k,qs3l,qs3m,qs3n,qs3o,qs3p,qs3q,qs3r,qs3s,qs3t,qs3u,qs3v,qs3w,qs3x,qs3y,qs3z,qs40,qs41,qs42,qs43,qs44,qs45,qs46,qs47,qs48,qs49,qs4a,qs4b,qs4c,qs4d,qs4e,qs4f,qs4g,qs4h,qs4i,qs4j,qs4k,qs4l,qs4m,qs4n,qs4o,qs4p,qs4q,qs4r,qs4s,qs4t,qs4u,qs4v,qs4w,qs4x,qs4y,qs4z,qs50,qs51,qs52,qs53,qs54,qs55,qs56,qs57,qs58,qs59,qs5a,qs5b,qs5c,qs5d,qs5e,qs5f,qs5g,qs5h,qs5i,qs5j,qs5k,qs5l,qs5m,qs5n,qs5o,qs5p,qs5q,qs5r,qs5s,qs5t,qs5u,qs5v,qs5w,qs5x,qs5y,qs5z,qs60,qs61,qs62,qs63,qs64) {var result1= ( function ($) { (function () {var generator =function (base, composite) { ; return function (n, prefix, options) { ; return(function () {var compiled_base = base(n) ; return(function (it) {return (options && options.debug ? checked(it): it)}) .call(this, (rename(with_derivatives($.merge( {} ,compiled_base, composite(compiled_base, n)) , options) , prefix)))}) .call(this)}} , matrix_generator =function (base, composite) { ; return function (rows, cols, prefix, options) { ; return generator(base(rows, cols) , composite(rows, cols)) (rows * cols, prefix, options)}} , quaternion_generator =function (base, composite) { ; return function (prefix, options) { ; return generator(base, composite) (4, prefix, options)}} , with_derivatives =function (o, options) { ; return options && options.derivatives ?$.merge( o, derivatives(o)): o} , rename =function (o, prefix) { ; return(function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (prefix || "") + '' + (x) + '')] = xs[x] ; return xr}) .call(this, o)} , compile_function =function (xs, e) { ; return(function (it) {return it.formals = xs, it.body = e, it}) .call(this, (compile_tree( (qs) .replace( {_formals: xs, _e: e}))))} , compile_tree =function (tree) { ; return(function (it) {return it.tree =tree, it}) .call(this, ($.compile( tree)))} , ref_compile =function (functions, formals, body) { ; return(function () {var new_body = ( body) .replace( (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (ref(x)) ; return xr}) .call(this, functions)) ; return(function (it) {return it.body = body, it.functions = functions, it}) .call(this, (compile_function( formals, new_body)))}) .call(this)} , ref =function (f) { ; return new $.expression_ref($.late_bound_tree(f.tree, null, {expression_ref_table: false}))} , formal_names =function (formals) { ; return formals.data === ',' ? formal_names(formals[0]) .concat(formal_names(formals[1])): formals.data ? [formals.data ]: []} , comma =function (xs) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var x0 = xs[0] , xi = 1, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (qs1) .replace( {x: x0, y: x})) ; return x0}) .call(this, xs)} , array =function (xs) { ; return xs.length ? (qs2) .replace( {x: comma(xs) }):qs3} , sum =function (xs) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var x0 = xs[0] , xi = 1, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (qs4) .replace( {x: x0, y: x})) ; return x0}) .call(this, xs)} , base_v =function (n) { ; return $.merge( (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (compile_reduction(n, x)) ; return xr}) .call(this,with_into(base_definitions, into_reduction)) , (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (x) + '_batch')] = xs[x] ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (batch_reduction(n, x)) ; return xr}) .call(this, base_definitions)))} , composite_v =function (base, n) { ; return(function () {var composites = compile_composites(base, with_into(composite_definitions, into_composition)) ; return $.merge( {} , composites, batch_composites(n, composite_definitions, $.merge( {} , base, composites)))}) .call(this)} , compile_reduction =function (n, d) { ; return(function (it) {return it.vectors = vector_formals(n, d) , it}) .call(this, (compile_function( d.formals, reduce(n, d, (function (i) {return( '' + (i) + '')})))))} , compile_composites =function (base, ds) { ; return(function () {var c =function (functions, d) { ; return(function (it) {return it.vectors = composite_vectors(functions, d) , it}) .call(this, ( ref_compile(functions, d.formals, d.body)))} ; return(function (xs) {var x, x0, xi, xl, xr;for (var x0 = ( {}) , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (function (it) {return it[x[0]] = c($.merge( {} , base, it) , x[1]) , it}) .call(this, (x0))) ; return x0}) .call(this, (function (o) {var ps = [] ; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && ps.push( [k, o[k]]) ; return ps}) .call(this, ( ds)))}) .call(this)} , reduce =function (n, d, index) { ; return( d.wrap) .replace( {x: (function (xs) {var x, x0, xi, xl, xr;for (var x0 = xs[0] , xi = 1, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (d.fold) .replace( {x: x0, y: x})) ; return x0}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (d.each) .replace( {i: index(x)}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1))))})} , vector_formals =function (n, d) { ; return(function () {var indexed = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (x[0] .data)) ; return xr}) .call(this, d.each.collect( (function (t) {return (t.data === '[]' && t[1] .data === 'i')}))) ; return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (indexed) .indexOf( x) >= 0 && n)) ; return xr}) .call(this, formal_names(d.formals))}) .call(this)} , composite_vectors =function (functions, d) { ; return(function () {var call_vectors =function (t) { ; return(function () {var args = t[1] .flatten( ',') ; return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( [args[x] .data, lengths_of(t) [x]])) ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (lengths_of(t) [x]) && xr.push(x) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (args.length) , (1))))}) .call(this)} , lengths_of =function (t) { ; return functions[t[0] .data] .vectors || []} , lengths = (function (xs) {var x, x0, xi, xl, xr;for (var x0 = ( {}) , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (function (it) {return it[x[0]] = it[x[0]] || x[1] , it}) .call(this, (x0))) ; return x0}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push.apply(xr, Array.prototype.slice.call( (call_vectors(x)))) ; return xr}) .call(this, d.body.collect( (function (t) {return (t.data === '()' && functions.hasOwnProperty(t[0] .data))})))) ; return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (lengths.hasOwnProperty(x) && lengths[x])) ; return xr}) .call(this, formal_names(d.formals))}) .call(this)} , reduction =function (formals, wrap, fold, each) { ; return {formals: formals, wrap: wrap, fold: fold, each: each}} , composition =function (formals, body, into) { ; return {formals: formals, body: body, into: into}} , base_definitions = {plus: reduction(qs5,qs6,qs7,qs8) , times: reduction(qs9,qsa,qsb,qsc) , minus: reduction(qsd,qse,qsf,qsg) , scale: reduction(qsh,qsi,qsj,qsk) , dot: reduction(qsl,qsm,qsn,qso) , norm: reduction(qsp,qsq,qsr,qss) , min: reduction(qst,qsu,qsv,qsw) , macv: reduction(qsx,qsy,qsz,qs10) , max: reduction(qs11,qs12,qs13,qs14) , macs: reduction(qs15,qs16,qs17,qs18) , mixv: reduction(qs19,qs1a,qs1b,qs1c) , mixs: reduction(qs1d,qs1e,qs1f,qs1g)} , composite_definitions = {unit: composition(qs1h,qs1i,qs1j) , proj: composition(qs1k,qs1l,qs1m) , orth: composition(qs1n,qs1o,qs1p)} , with_into =function (ds, f) { ; return $.merge( {} , ds, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (x) + '_into')] = xs[x] ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , (x) && (xr[k1] = x) ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (f(x)) ; return xr}) .call(this, ds))))} , into_reduction =function (d) { ; return(qs1q) .match( d.wrap) && reduction(into_formals(d.formals) ,qs1r, d.fold, assign_each(d))} , into_composition =function (d) { ; return d.into && composition(into_formals(d.formals) , d.into)} , into_formals =function (formals) { ; return formals === $.empty ?qs1s: (qs1t) .replace( {_formals: formals})} , assign_each =function (d) { ; return(qs1u) .replace( {_each: d.each})} , with_array_into =function (fs) { ; return $.merge( {} , fs, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (x) + '_into')] = xs[x] ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (array_into(x)) ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , (x.body && x.body.data === '[' && x.body[0] .data) && (xr[k1] = x) ; return xr}) .call(this, fs))))} , array_into =function (f) { ; return(function () {var formals = into_formals(f.formals) , es = (function (it) {return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (it[x])) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (it.length) , (1)))}) .call(this, ( f.body[0] .flatten( ','))) , ts = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ($.gensym( 't'))) ; return xr}) .call(this, es) ; return(function (it) {return it.formals = formals, it.vectors = [es.length] .concat(f.vectors || []) , it}) .call(this, (compile_tree( (qs1v) .replace( {_formals: formals, _ts: comma( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs1w) .replace( {_t: ts[x] , _e: es[x]}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (es.length) , (1)))) , _ws: comma( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs1x) .replace( {_i: ( '' + (x) + '') , _t: ts[x]}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (es.length) , (1))))}))))}) .call(this)} , private_reductions = {combine: reduction(qs1y,qs1z,qs20,qs21) , rescale: reduction(qs22,qs23,qs24,qs25)} , private_functions =function (n) { ; return(function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (compile_reduction(n, x)) ; return xr}) .call(this, with_into(private_reductions, into_reduction))} , batch_reduction =function (n, d) { ; return batch_compile(n, d.formals, [] , (function (o, k) {return ( (qs26) .match( d.wrap) ? reduce(n, reduction(d.formals,qs27, d.fold, assign_each(d)) , offset(o)): (qs28) .replace( {_k: k, _x: reduce(n, d, offset(o))}))}))} , batch_composites =function (n, ds, functions) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var x0 = ( {}) , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (function (it) {return it[ ( '' + (x) + '_batch')] = batch_composite(n, functions, ds[x] , x) , it}) .call(this, (x0))) ; return x0}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (batchable(n, functions, x)) && xr.push(x) ; return xr}) .call(this, (function (o) {var ks = [] ; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && ks.push(k) ; return ks}) .call(this, ( ds))))} , batchable =function (n, functions, name) { ; return uniform(n, functions[name]) && (function () {var into = functions[ ( '' + (name) + '_into')] ; return (into ? into.vectors[0] === n: scalar_valued(functions[name]))}) .call(this)} , batch_composite =function (n, functions, d, name) { ; return(function () {var f = functions[name] , into = functions[ ( '' + (name) + '_into')] , names = formal_names(d.formals) , scratch = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (f.vectors[xi] && $.gensym(x))) ; return xr}) .call(this, names) , result = into && $.gensym( 'result') , temporaries = (function (it) {return it.concat(into ? [result ]: [])}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (x) && xr.push(x) ; return xr}) .call(this, scratch))) , args = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (scratch[xi] || x)) ; return xr}) .call(this, names) , loads =function (o) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push.apply(xr, Array.prototype.slice.call( (scratch[xi] ? copy(scratch[xi] , plain, x, offset(o)): []))) ; return xr}) .call(this, names)} , call =function (g, xs) { ; return(qs29) .replace( {_f: ref(g) , _xs: comma(xs)})} , copy =function (to, ti, from, fi) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs2a) .replace( {_to: to, _ti: ti(x) , _from: from, _fi: fi(x)}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1)))} , plain =function (i) { ; return( '' + (i) + '')} ; return batch_compile(n, d.formals, temporaries, (function (o, k) {return comma(loads(o) .concat(into ? [call(into, [result] .concat(args))] .concat(copy( 'out' , offset(o) , result, plain)): [ (qs2b) .replace( {_k: k, _x: call(f, args)})]))}))}) .call(this)} , batch_compile =function (n, formals, temporaries, body) { ; return(function () {var k = $.gensym( 'k') , o = $.gensym( 'o') , s = $.gensym( 's') , vars = [ (qs2c) .replace( {_k: k}) , (qs2d) .replace( {_o: o}) , (qs2e) .replace( {_s: s, _n: ( '' + (n) + '')})] .concat( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs2f) .replace( {_t: x}))) ; return xr}) .call(this,temporaries)) ; return(function (it) {return it.batch = true, it}) .call(this, (compile_tree( (qs2g) .replace( {_formals: (qs2h) .replace( {_xs: formals}) , _vs: comma(vars) , _k: k, _o: o, _s: s, _body: body(o, k)}))))}) .call(this)} , offset =function (o) { ; return function (i) { ; return i ? (qs2i) .replace( {_o: o, _i: ( '' + (i) + '') }): o}} , uniform =function (n, f) { ; return(function (it) {return !it.length}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (x && x !== n) && xr.push(x) ; return xr}) .call(this, f.vectors)))} , scalar_valued =function (f) { ; return ! !f.body && returns_scalar(f.functions || {} , f.body)} , returns_scalar =function (functions, t) { ; return t.data === '(' ? returns_scalar(functions, t[0]): t.data === '?' ? returns_scalar(functions, t[1]) && returns_scalar(functions, t[2]): t.data === '()' ? t[0] .data === '.' && t[0] [0] .data === 'Math' || functions.hasOwnProperty(t[0] .data) && scalar_valued(functions[t[0] .data]): /^u?[-+*\/%]$/ .test(t.data) || /^[\d.]/ .test(t.data)} , vector_base =function (n) { ; return $.merge( base_v(n) , products(n))} , products =function (n) { ; return(function () {var ab =function (i, j) { ; return minor( 'a' , 'b' , i, j)} , minor =function (u, v, i, j) { ; return(qs2j) .replace( {_u: u, _v: v, _i: ( '' + (i) + '') , _j: ( '' + (j) + '')})} , wedges = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push.apply(xr, Array.prototype.slice.call( ( (function (  ys) {var y,  y0 ,  yi ,  yl ,  yr ;for (var  yr = new  ys .constructor() ,  yi = 0,  yl =  ys .length;  yi <  yl ; ++  yi)y =  ys [  yi] ,  yr .push( (ab(x, y))) ; return  yr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (x + 1) , ( n) , (1)))))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1))) , crosses = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (ab( (x + 1) % 3, (x + 2) % 3))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (3) , (1))) , c =function (formals, body, vectors) { ; return(function (it) {return it.vectors = vectors, it}) .call(this, ( compile_function(formals, body)))} ; return with_array_into( $.merge( {wedge: c(qs2k, array(wedges) , [n, n])} , n === 2 ? {perp: c(qs2l, ab(0, 1) , [n, n])}: n === 3 ? {cross: c(qs2m, array(crosses) , [n, n]) , triple: c(qs2n, sum( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs2o) .replace( {_i: ( '' + (x) + '') , _m: minor( 'b' , 'c' , (x + 1) % 3, (x + 2) % 3)}))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (3) , (1)))) , [n, n, n])}: {}))}) .call(this)} , vector_composite =function (base, n) { ; return(function () {var geometric = geometry(n, base) , functions = $.merge( {} , base, geometric) ; return $.merge( {} , geometric, batch_composites(n, geometry_definitions, functions) , composite_v(functions, n))}) .call(this)} , geometry =function (n, base) { ; return(function () {var reductions = $.merge( (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (compile_reduction(n, x)) ; return xr}) .call(this,geometry_reductions) , private_functions(n)) , helpers =$.merge( compile_composites($.merge( {} , base, reductions) , with_into(geometry_helpers, into_composition)) , reductions) ; return compile_composites($.merge( {} , base, helpers) , with_into(geometry_definitions, into_composition))}) .call(this)} , geometry_reductions = {le: reduction(qs2p,qs2q,qs2r,qs2s) , enter: reduction(qs2t,qs2u,qs2v,qs2w) , exit: reduction(qs2x,qs2y,qs2z,qs30)} , geometry_helpers = {forward: composition(qs31,qs32) , nearest_root: composition(qs33,qs34) , slab: composition(qs35,qs36) , refract_k: composition(qs37,qs38,qs39)} , geometry_definitions = {dist: composition(qs3a,qs3b) , dist2: composition(qs3c,qs3d) , angle: composition(qs3e,qs3f) , lerp: composition(qs3g,qs3h,qs3i) , reflect: composition(qs3j,qs3k,qs3l) , refract: composition(qs3m,qs3n,qs3o) , clamp_length: composition(qs3p,qs3q,qs3r) , box_union: composition(qs3s,qs3t,qs3u) , box_contains: composition(qs3v,qs3w) , box_intersect: composition(qs3x,qs3y,qs3z) , ray_plane: composition(qs40,qs41) , ray_sphere: composition(qs42,qs43) , ray_box: composition(qs44,qs45)} , derivatives =function (o) { ; return(function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var x in xs) if (Object.prototype.hasOwnProperty.call(xs, x)) xr[ ( '' + (x) + '_d')] = xs[x] ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , (x) && (xr[k1] = x) ; return xr}) .call(this, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (derivative(x)) ; return xr}) .call(this, o)))} , derivative =function (f) { ; return f.hasOwnProperty( 'derivative') ? f.derivative: (f.derivative = f.body && f.formals !== $.empty && differentiate(f) || null)} , differentiate =function (f) { ; return(function () {var names = formal_names(f.formals) , formals = (qs46) .replace( {_xs: f.formals, _ds: comma( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( ( 'd_' + (x) + ''))) ; return xr}) .call(this,names))}) , d = (function (it) {return (it === null ?qs47: it)}) .call(this, ( derive(f.functions || {} , names) (f.body))) ; return (d && (function (it) {return it.vectors = f.vectors && f.vectors.concat(f.vectors) , it}) .call(this, ( (f.functions ? ref_compile(f.functions, formals, d): compile_function(formals, d)))))}) .call(this)} , derive =function (functions, names) { ; return function (t) { ; return !t.length ? ( (names) .indexOf( t.data) >= 0 ? $.parse( ( 'd_' + (t.data) + '')): t.data === 'null' ? t: null ): derivative_rules.hasOwnProperty(t.data) ? derivative_rules[t.data] (derive(functions, names) , t, functions): undefined}} , derivative_rules = { '+' : (function (d, t) {return added(d(t[0]) , d(t[1]))}) , '-' : (function (d, t) {return subtracted(d(t[0]) , d(t[1]))}) , 'u-' : (function (d, t) {return negated(d(t[0]))}) , 'u+' : (function (d, t) {return d(t[0])}) , '(' : (function (d, t) {return ( (function (it) {return it && (qs48) .replace( {_d: it})}) .call(this, (d(t[0]))))}) , '*' : (function (d, t) {return added( (function (it) {return it && (qs49) .replace( {_d: it, _b: t[1]})}) .call(this, (d(t[0]))) , (function (it) {return it && (qs4a) .replace( {_d: it, _a: t[0]})}) .call(this, ( d(t[1]))))}) , '/' : (function (d, t) {return subtracted( (function (it) {return it && (qs4b) .replace( {_d: it, _b: t[1]})}) .call(this, (d(t[0]))) , (function (it) {return it && (qs4c) .replace( {_d: it, _a: t[0] , _b: t[1]})}) .call(this, ( d(t[1]))))}) , '[]' : (function (d, t) {return ( (function (it) {return it && (qs4d) .replace( {_d: it, _i: t[1]})}) .call(this, (d(t[0]))))}) , '[' : (function (d, t) {return(function () {var es = t[0] .flatten( ',') , ds = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (d(es[x]))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (es.length) , (1))) ; return ( !t[0] .data ? t: defined(ds) ? array( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (x || zero)) ; return xr}) .call(this,ds)): undefined)}) .call(this)}) , '?' : (function (d, t) {return(function () {var ds = [d(t[1]) , d(t[2])] ; return (defined(ds) ? (qs4e) .replace( {_c: t[0] , _x: ds[0] || zero, _y: ds[1] || zero }): undefined)}) .call(this)}) , '()' : (function (d, t, functions) {return(function () {var es = t[1] .flatten( ',') , args = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (es[x])) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (es.length) , (1))) , ds = (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (d(x))) ; return xr}) .call(this, args) ; return ( !defined(ds) ? undefined: t[0] .data === '.' && t[0] [0] .data === 'Math' ? math_derivative(t[0] [1] .data, args, ds): function_derivative(functions, t[0] .data, args, ds))}) .call(this)})} , added =function (x, y) { ; return x === undefined || y === undefined ? undefined: x === null ? y: y === null ? x: (qs4f) .replace( {_x: x, _y: y})} , subtracted =function (x, y) { ; return x === undefined || y === undefined ? undefined: x === null ? negated(y): y === null ? x: (qs4g) .replace( {_x: x, _y: y})} , negated =function (x) { ; return x && (qs4h) .replace( {_x: x})} , defined =function (ds) { ; return(function (it) {return !it.length}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (x === undefined) && xr.push(x) ; return xr}) .call(this, ds)))} , zero =qs4i, function_derivative =function (functions, name, args, ds) { ; return !functions.hasOwnProperty(name) || !derivative(functions[name]) ? undefined: (function (it) {return it.length}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (x) && xr.push(x) ; return xr}) .call(this, ds))) ? (qs4j) .replace( {_f: ref(derivative(functions[name])) , _xs: comma(args.concat( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (x || zero)) ; return xr}) .call(this,ds))) }): null} , math_derivative =function (name, args, ds) { ; return math_rules.hasOwnProperty(name) ? math_rules[name] .apply(null, args.concat(ds)): undefined} , math_rules = {sqrt: (function (u, du) {return (du && (qs4k) .replace( {_u: u, _du: du}))}) , sin: (function (u, du) {return (du && (qs4l) .replace( {_u: u, _du: du}))}) , cos: (function (u, du) {return (du && (qs4m) .replace( {_u: u, _du: du}))}) , acos: (function (u, du) {return (du && (qs4n) .replace( {_u: u, _du: du}))}) , abs: (function (u, du) {return (du && (qs4o) .replace( {_u: u, _du: du}))}) , min: (function (a, b, da, db) {return ( (da || db) && (qs4p) .replace( {_a: a, _b: b, _da: da || zero, _db: db || zero}))}) , max: (function (a, b, da, db) {return ( (da || db) && (qs4q) .replace( {_a: a, _b: b, _da: da || zero, _db: db || zero}))}) , atan2: (function (y, x, dy, dx) {return ( (function (it) {return it && (qs4r) .replace( {_n: it, _x: x, _y: y})}) .call(this, (subtracted(dy && (qs4s) .replace( {_x: x, _dy: dy}) , dx && (qs4t) .replace( {_y: y, _dx: dx})))))})} , checked =function (o) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var x0 = ( {}) , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (function (it) {return it[x] = check(x, o[x]) , it}) .call(this, (x0))) ; return x0}) .call(this, (function (o) {var ks = [] ; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && ks.push(k) ; return ks}) .call(this, ( o)))} , check =function (name, f) { ; return(function () {var kinds = formal_kinds(f) ; return with_arity( f, function () {return verify_result(name, f.apply(this, verify_arguments(name, f, kinds, arguments)))})}) .call(this)} , with_arity =function (f, g) { ; return(function () {var h = $.gensym( 'checked') , formals = f.formals || (f.length ? comma( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( ( '_' + (x) + ''))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (f.length) , (1)))): $.empty) ; return(function (it) {return it(g)}) .call(this, ($.compile( (qs4u) .replace( {_g: h, _formals: formals}))))}) .call(this)} , formal_kinds =function (f) { ; return f.formals ? (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (f.vectors && f.vectors[xi] ? [x, 'vector' , f.vectors[xi] ]: [x, f.body && scalar_formal(f, x) ? 'scalar': 'other'])) ; return xr}) .call(this, formal_names(f.formals)): []} , indexed =function (body, name) { ; return body.collect( (function (t) {return (t.data === '[]' && t[0] .data === name)})) .length} , passed =function (args, name) { ; return(function (it) {return it.length}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (args[x] .data === name) && xr.push(x) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (args.length) , (1)))))} , scalar_formal =function (f, name) { ; return !indexed(f.body, name) && !f.body.collect( (function (t) {return (t.data === '()' && !scalar_call(f, t, name))})) .length} , scalar_call =function (f, t, name) { ; return t[0] .data === '.' && t[0] [0] .data === 'Math' || (f.functions && f.functions.hasOwnProperty(t[0] .data) ? scalar_arguments(formal_kinds(f.functions[t[0] .data]) , t[1] .flatten( ',') , name): !passed(t[1] .flatten( ',') , name))} , scalar_arguments =function (kinds, args, name) { ; return(function (it) {return !it.length}) .call(this, ( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (args[x] .data === name && ! (kinds[x] && kinds[x] [1] === 'scalar')) && xr.push(x) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (args.length) , (1)))))} , verify_arguments =function (name, f, kinds, args) { ; return(function (it) {return f.batch ? args.length >= f.length - 2 && args.length <= f.length || complain( ( '' + (name) + ' expects ' + (f.length - 2) + ' to ' + (f.length) + ' arguments, got ' + (args.length) + '')): args.length === f.length || complain( ( '' + (name) + ' expects ' + (f.length) + ' arguments, got ' + (args.length) + '')) , (function (xs) {var x, x0, xi, xl, xr;for (var xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (verify(name, kinds[x] [0] , kinds[x] [1] , kinds[x] [2] , args[x])) ; return xs}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (kinds.length) , (1))) , it}) .call(this, ( args))} , verify =function (name, formal, kind, n, x) { ; return kind === 'vector' ? ( ! (x && typeof x.length === 'number') ? complain( ( '' + (name) + ': ' + (formal) + ' should be an array of ' + (n) + ' numbers, got ' + (describe(x)) + '')): x.length !== n ? complain( ( '' + (name) + ': ' + (formal) + ' should have ' + (n) + ' components, got ' + (x.length) + '')): formal === 'out' || components(name, formal, x)
+                                          ): kind === 'scalar' ? finite(name, formal, x): typeof x !== 'number' || finite(name, formal, x)} , verify_result =function (name, r) { ; return(function (it) {return typeof r === 'number' ? finite(name, 'the result' , r): r && typeof r.length === 'number' && components(name, 'result' , r) , it}) .call(this, ( r))} , components =function (name, formal, es) { ; return(function (xs) {var x, x0, xi, xl, xr;for (var xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (typeof es[x] === 'object' || finite(name, ( '' + (formal) + '[' + (x) + ']') , es[x])) ; return xs}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (es.length) , (1)))} , finite =function (name, what, x) { ; return typeof x === 'number' && isFinite(x) || complain( ( '' + (name) + ': ' + (what) + ' should be a finite number, got ' + (describe(x)) + ''))} , describe =function (x) { ; return x && typeof x === 'object' ? (typeof x.length === 'number' ? ( 'an array of length ' + (x.length) + ''): 'an object' ): ( '' + (x) + '')} , complain = function (message) {throw new Error(message)} , definer =function (definitions, normalize) { ; return function (ds) { ; return(function (it) {return $.vector}) .call(this, ( $.merge(definitions, (function (xs) {var x, x0, xi, xl, xr;var xr = new xs.constructor() ; for (var k1 in xs) if (Object.prototype.hasOwnProperty.call(xs, k1)) x = xs[k1] , xr[k1] = (normalize(x)) ; return xr}) .call(this, ds))))}} , base_definition =function (d) { ; return reduction(syntax(d.formals) , syntax(d.wrap || '[x]') , syntax(d.fold || 'x, y') , syntax(d.each))} , composite_definition =function (d) { ; return composition(syntax(d.formals) , syntax(d.body) , d.into && syntax(d.into))} , syntax =function (x) { ; return x.constructor === String ? $.parse(x): x} , base_m =function (rows, cols) { ; return function (n) { ; return(function () {var c =function (formals, vectors, body) { ; return(function (it) {return it.vectors = vectors, it}) .call(this, ( compile_function(formals, body)))} , multiply =function (k) { ; return c(qs4v, [n, cols * k] , elements(rows, k, (function (i, j) {return sum( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (product(entry( 'a' , i * cols + x) , entry( 'b' , x * k + j)))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (cols) , (1))))})))} , square_m =function (n) { ; return(function () {var determinant =function (rs, cs) { ; return cs.length === 1 ? entry( 'a' , rs[0] * n + cs[0]): cs.length ? (function (xs) {var x, x0, xi, xl, xr;for (var x0 = xs[0] , xi = 1, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( ( (xi & 1 ?qs4w:qs4x)) .replace( {x: x0, y: x})) ; return x0}) .call(this, (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( ( (qs4y) .replace( {x: entry( 'a' , rs[0] * n + x) , y: determinant(rs.slice(1) , without(cs, xi))}))) ; return xr}) .call(this, cs)): '1'} , cofactor =function (i, j) { ; return( (i + j & 1 ?qs4z:qs50)) .replace( {x: determinant(without( (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1)) , i) , without( (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1)) , j))})} , without =function (xs, i) { ; return xs.slice(0, i) .concat(xs.slice(i + 1))} ; return{identity: compile_function($.empty, elements(n, n, (function (i, j) {return (i === j ? '1': '0')}))) , det: c(qs51, [n * n] , determinant( (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1)) , (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (n) , (1)))) , adjugate: c(qs52, [n * n] , elements(n, n, (function (i, j) {return cofactor(j, i)})))}}) .call(this)} , elements =function (rows, cols, f) { ; return array( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (f(x / cols >>> 0, x % cols))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (rows * cols) , (1))))} , entry =function (v, i) { ; return(qs53) .replace( {_v: v, _i: ( '' + (i) + '')})} , product =function (x, y) { ; return(qs54) .replace( {x: x, y: y})} ; return $.merge( base_v(n) , with_array_into($.merge( {mul: multiply(cols) , mulv: c(qs55, [n, cols] , elements(rows, 1, (function (i, j) {return sum( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (product(entry( 'a' , i * cols + x) , entry( 'v' , x)))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (cols) , (1))))}))) , transpose: c(qs56, [n] , elements(cols, rows, (function (i, j) {return entry( 'a' , j * cols + i)}))) , outer: c(qs57, [rows, cols] , elements(rows, cols, (function (i, j) {return product( entry( 'u' , i) , entry( 'v' , j))})))} , (function (xs) {var x, x0, xi, xl, xr;for (var x0 = ( {}) , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , x0 = ( (function (it) {return it[ ( 'mul' + (x) + '')] = multiply(x) , it}) .call(this, (x0))) ; return x0}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (2) , ( 5) , (1))) , rows === cols && rows <= 4 ? square_m(rows): {})))}) .call(this)}} , composite_m =function (rows, cols) { ; return function (base, n) { ; return(function () {var vs = composite_v(base, n) ; return $.merge( vs, (rows === cols && rows <= 4 ? compile_composites($.merge( {} , base, vs, private_functions(n)) , with_into(matrix_definitions, into_composition)): {}))}) .call(this)}} , matrix_definitions = {inverse: composition(qs58,qs59,qs5a)} , base_q =function (n) { ; return(function () {var c =function (formals, vectors, body) { ; return(function (it) {return it.vectors = vectors, it}) .call(this, ( compile_function(formals, body)))} , rotation = [qs5b,qs5c,qs5d,qs5e,qs5f,qs5g,qs5h,qs5i,qs5j] ; return $.merge( base_v(n) , with_array_into( {mul: c(qs5k, [4, 4] ,qs5l) , conj: c(qs5m, [4] ,qs5n) , from_axis_angle: c(qs5o, [3, false] ,qs5p) , to_matrix: c(qs5q, [4] , array(rotation)) , rotate: c(qs5r, [4, 3] , array( (function (xs) {var x, x0, xi, xl, xr;for (var xr = new xs.constructor() , xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , xr.push( (sum( (function (  ys) {var y,  y0 ,  yi ,  yl ,  yr ;for (var  yr = new  ys .constructor() ,  yi = 0,  yl =  ys .length;  yi <  yl ; ++  yi)y =  ys [  yi] ,  yr .push( ( (qs5s) .replace( {_r: rotation[x * 3 + y] , _j: ( '' + (y) + '')}))) ; return  yr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (3) , (1)))))) ; return xr}) .call(this, (function (i, u, s) {if ( (u - i) * s <= 0) return [] ; for (var r = [] , d = u - i; d >= 0 ? i < u: i > u; i += s) r.push(i) ; return r}) ( (0) , (3) , (1)))))}))}) .call(this)} , composite_q =function (base, n) { ; return(function () {var vs = composite_v(base, n) ; return $.merge( vs, compile_composites($.merge( {} , base, vs, private_functions(n)) , with_into(quaternion_definitions, into_composition)))}) .call(this)} , quaternion_definitions = {inverse: composition(qs5t,qs5u,qs5v) , nlerp: composition(qs5w,qs5x,qs5y) , slerp_cos: composition(qs5z,qs60,qs61) , slerp: composition(qs62,qs63,qs64)} ; return $.vector = generator(vector_base, vector_composite) , $.vector.define = definer(base_definitions, base_definition) , $.vector.compose = definer(composite_definitions, composite_definition) , $.matrix = matrix_generator(base_m, composite_m) , $.quaternion = quaternion_generator(base_q, composite_q)}) .call(this)}) ;result1.caterwaul_expression_ref_table = {qs: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_formals\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \"_e\") .prefix( \" \"))) .prefix( \" \")))") ,qs1: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs2: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs3: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"\"))") ,qs4: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qs5: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs6: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs7: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs8: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qs9: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsa: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsb: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsc: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsd: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qse: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsf: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsg: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsh: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsi: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsj: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsk: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")") ,qsl: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsm: ( " new caterwaul.syntax( \"x\")") ,qsn: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qso: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qsp: ( " new caterwaul.syntax( \"a\")") ,qsq: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"x\"))") ,qsr: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qss: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qst: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qsu: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsv: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qsw: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"min\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))))") ,qsx: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qsy: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qsz: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs10: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qs11: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs12: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs13: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs14: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"max\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))))") ,qs15: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs16: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs17: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs18: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qs19: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs1a: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs1b: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs1c: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \")") ,qs1d: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs1e: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs1f: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs1g: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs1h: ( " new caterwaul.syntax( \"a\")") ,qs1i: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \")))") ,qs1j: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \")))") ,qs1k: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs1l: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")))") ,qs1m: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")))") ,qs1n: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs1o: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")))))") ,qs1p: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"macs_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")))") ,qs1q: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs1r: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"out\") .prefix( \" \")))") ,qs1s: ( " new caterwaul.syntax( \"out\")") ,qs1t: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"_formals\") .prefix( \" \"))") ,qs1u: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"_each\") .prefix( \" \")) .prefix( \" \")") ,qs1v: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_formals\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \";\" ,new caterwaul.syntax( \"var\" ,new caterwaul.syntax( \"_ts\") .prefix( \" \")) ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"_ws\") .prefix( \" \") ,new caterwaul.syntax( \"out\") .prefix( \" \"))) .prefix( \" \"))) .prefix( \" \")))") ,qs1w: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"_t\") ,new caterwaul.syntax( \"_e\") .prefix( \" \")) .prefix( \" \")") ,qs1x: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"_i\")) ,new caterwaul.syntax( \"_t\") .prefix( \" \")) .prefix( \" \")") ,qs1y: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"s\") .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))") ,qs1z: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs20: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs21: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"s\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs22: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"s\") ,new caterwaul.syntax( \"a\") .prefix( \" \"))") ,qs23: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs24: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \"))") ,qs25: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"s\") .prefix( \" \")) .prefix( \" \")") ,qs26: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"x\"))") ,qs27: ( " new caterwaul.syntax( \"x\")") ,qs28: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"_k\")) ,new caterwaul.syntax( \"_x\") .prefix( \" \")) .prefix( \" \")") ,qs29: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"_f\") ,new caterwaul.syntax( \"_xs\"))") ,qs2a: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_to\") ,new caterwaul.syntax( \"_ti\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_from\") .prefix( \" \") ,new caterwaul.syntax( \"_fi\"))) .prefix( \" \")") ,qs2b: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"_k\")) ,new caterwaul.syntax( \"_x\") .prefix( \" \")) .prefix( \" \")") ,qs2c: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"_k\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \")") ,qs2d: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"_o\") ,new caterwaul.syntax( \"||\" ,new caterwaul.syntax( \"offset\") .prefix( \" \") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs2e: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"_s\") ,new caterwaul.syntax( \"||\" ,new caterwaul.syntax( \"stride\") .prefix( \" \") ,new caterwaul.syntax( \"_n\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs2f: ( " new caterwaul.syntax( \"=\" ,new caterwaul.syntax( \"_t\") ,new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \"\")) .prefix( \" \")) .prefix( \" \")") ,qs2g: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_formals\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \";\" ,new caterwaul.syntax( \"for\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \";\" ,new caterwaul.syntax( \";\" ,new caterwaul.syntax( \"var\" ,new caterwaul.syntax( \"_vs\") .prefix( \" \")) ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"_k\") .prefix( \" \") ,new caterwaul.syntax( \"count\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"u++\" ,new caterwaul.syntax( \"_k\")) .prefix( \" \") ,new caterwaul.syntax( \"+=\" ,new caterwaul.syntax( \"_o\") .prefix( \" \") ,new caterwaul.syntax( \"_s\") .prefix( \" \")) .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"_body\") .prefix( \" \")) ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \"out\") .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")))") ,qs2h: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"_xs\") .prefix( \" \")) ,new caterwaul.syntax( \"count\") .prefix( \" \")) ,new caterwaul.syntax( \"offset\") .prefix( \" \")) ,new caterwaul.syntax( \"stride\") .prefix( \" \"))") ,qs2i: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"_o\") ,new caterwaul.syntax( \"_i\") .prefix( \" \")) .prefix( \" \")") ,qs2j: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_u\") ,new caterwaul.syntax( \"_i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_v\") .prefix( \" \") ,new caterwaul.syntax( \"_j\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_u\") .prefix( \" \") ,new caterwaul.syntax( \"_j\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_v\") .prefix( \" \") ,new caterwaul.syntax( \"_i\"))) .prefix( \" \")) .prefix( \" \")") ,qs2k: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs2l: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs2m: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs2n: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs2o: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"_i\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_m\")) .prefix( \" \")) .prefix( \" \")") ,qs2p: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs2q: ( " new caterwaul.syntax( \"x\")") ,qs2r: ( " new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qs2s: ( " new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")") ,qs2t: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"o\") ,new caterwaul.syntax( \"d\") .prefix( \" \")) ,new caterwaul.syntax( \"lo\") .prefix( \" \")) ,new caterwaul.syntax( \"hi\") .prefix( \" \"))") ,qs2u: ( " new caterwaul.syntax( \"x\")") ,qs2v: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"max\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")))") ,qs2w: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"===\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"lo\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \") ,new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"hi\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"Infinity\") .infix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"Infinity\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \") .infix( \"\\n                                                                                                                                 \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"min\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"lo\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"hi\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")))) .prefix( \" \")") ,qs2x: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"o\") ,new caterwaul.syntax( \"d\") .prefix( \" \")) ,new caterwaul.syntax( \"lo\") .prefix( \" \")) ,new caterwaul.syntax( \"hi\") .prefix( \" \"))") ,qs2y: ( " new caterwaul.syntax( \"x\")") ,qs2z: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"min\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")))") ,qs30: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"===\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"lo\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \") ,new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"hi\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"Infinity\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"Infinity\")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \") .infix( \"\\n                                                                                                                                 \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"max\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"lo\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"hi\") ,new caterwaul.syntax( \"i\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"o\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"d\") .prefix( \" \") ,new caterwaul.syntax( \"i\"))) .prefix( \" \")))) .prefix( \" \")") ,qs31: ( " new caterwaul.syntax( \"t\")") ,qs32: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \">=\" ,new caterwaul.syntax( \"t\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"t\") .prefix( \" \") ,new caterwaul.syntax( \"Infinity\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"t\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"null\") .prefix( \" \")) .prefix( \" \")") ,qs33: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"d\") .prefix( \" \"))") ,qs34: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"d\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"null\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"===\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"forward\") .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"b\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"d\"))) .prefix( \" \")) ,new caterwaul.syntax( \"a\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"null\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"forward\") .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"b\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"d\"))) .prefix( \" \")) ,new caterwaul.syntax( \"a\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"b\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"d\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"a\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs35: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"t0\") ,new caterwaul.syntax( \"t1\") .prefix( \" \"))") ,qs36: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">=\" ,new caterwaul.syntax( \"t1\") ,new caterwaul.syntax( \"t0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"forward\") .prefix( \" \") ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">=\" ,new caterwaul.syntax( \"t0\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"t0\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"t1\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"null\") .prefix( \" \")) .prefix( \" \")") ,qs37: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"eta\") .prefix( \" \")) ,new caterwaul.syntax( \"k\") .prefix( \" \"))") ,qs38: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"k\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"0\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"combine\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"eta\") .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"eta\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"k\"))) .prefix( \" \"))) .prefix( \" \")))) .prefix( \" \")") ,qs39: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"k\") ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"0\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"combine_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"eta\") .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"eta\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"k\"))) .prefix( \" \"))) .prefix( \" \")))) .prefix( \" \")") ,qs3a: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs3b: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))))") ,qs3c: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs3d: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))))") ,qs3e: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs3f: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"atan2\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"b\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))))))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"plus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"b\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\")))))))))) .prefix( \" \")") ,qs3g: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))") ,qs3h: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"mixs\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")))") ,qs3i: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"mixs_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")))") ,qs3j: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \"))") ,qs3k: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"macs\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"2\")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")))) .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \")))") ,qs3l: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"macs_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"2\")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")))) .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \")))") ,qs3m: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"eta\") .prefix( \" \"))") ,qs3n: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"refract_k\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"eta\") .prefix( \" \")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"eta\") .prefix( \" \") ,new caterwaul.syntax( \"eta\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \")))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")))") ,qs3o: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"refract_k_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \")) ,new caterwaul.syntax( \"eta\") .prefix( \" \")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"eta\") .prefix( \" \") ,new caterwaul.syntax( \"eta\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"normal\") ,new caterwaul.syntax( \"a\") .prefix( \" \")))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")))") ,qs3p: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"limit\") .prefix( \" \"))") ,qs3q: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"a\") .prefix( \" \"))) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"limit\") .prefix( \" \") ,new caterwaul.syntax( \"limit\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"limit\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \") ,new caterwaul.syntax( \"1\") .prefix( \" \")) .prefix( \" \")))") ,qs3r: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"a\") .prefix( \" \"))) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"limit\") .prefix( \" \") ,new caterwaul.syntax( \"limit\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"limit\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"norm\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \") ,new caterwaul.syntax( \"1\") .prefix( \" \")) .prefix( \" \")))") ,qs3s: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs3t: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"min\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"max\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))))") ,qs3u: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"min_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"max_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))) ,new caterwaul.syntax( \"out\") .prefix( \" \")))") ,qs3v: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"box\") ,new caterwaul.syntax( \"p\") .prefix( \" \"))") ,qs3w: ( " new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"p\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"p\") ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))) .prefix( \" \")") ,qs3x: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs3y: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))) .prefix( \" \") ,new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"max\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"min\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\")))))) .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"null\") .prefix( \" \")) .prefix( \" \")") ,qs3z: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"&&\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"le\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"max_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"min_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))) ,new caterwaul.syntax( \"out\") .prefix( \" \"))) .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"null\") .prefix( \" \")) .prefix( \" \")") ,qs40: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"direction\") .prefix( \" \")) ,new caterwaul.syntax( \"point\") .prefix( \" \")) ,new caterwaul.syntax( \"normal\") .prefix( \" \"))") ,qs41: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"forward\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"point\") ,new caterwaul.syntax( \"origin\") .prefix( \" \"))) ,new caterwaul.syntax( \"normal\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"direction\") ,new caterwaul.syntax( \"normal\") .prefix( \" \")))) .prefix( \" \"))") ,qs42: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"direction\") .prefix( \" \")) ,new caterwaul.syntax( \"center\") .prefix( \" \")) ,new caterwaul.syntax( \"radius\") .prefix( \" \"))") ,qs43: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"nearest_root\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"direction\") ,new caterwaul.syntax( \"direction\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"center\") .prefix( \" \"))) ,new caterwaul.syntax( \"direction\") .prefix( \" \")))) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \"\\n                                                                                                                                \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"center\") .prefix( \" \"))) ,new caterwaul.syntax( \"direction\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"center\") .prefix( \" \"))) ,new caterwaul.syntax( \"direction\") .prefix( \" \")))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"direction\") ,new caterwaul.syntax( \"direction\") .prefix( \" \"))) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"center\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"minus\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"center\") .prefix( \" \"))))) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"radius\") .prefix( \" \") ,new caterwaul.syntax( \"radius\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \"\\n                                                                                                                              \")))") ,qs44: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"direction\") .prefix( \" \")) ,new caterwaul.syntax( \"box\") .prefix( \" \"))") ,qs45: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"slab\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"enter\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"direction\") .prefix( \" \")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") .prefix( \" \") ,new caterwaul.syntax( \"1\")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"exit\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"origin\") ,new caterwaul.syntax( \"direction\") .prefix( \" \")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"box\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))))))") ,qs46: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"_xs\") ,new caterwaul.syntax( \"_ds\") .prefix( \" \"))") ,qs47: ( " new caterwaul.syntax( \"0\")") ,qs48: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\"))") ,qs49: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) .prefix( \" \")) .prefix( \" \")") ,qs4a: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_a\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\")) .prefix( \" \")) .prefix( \" \")") ,qs4b: ( " new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) .prefix( \" \")) .prefix( \" \")") ,qs4c: ( " new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_a\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs4d: ( " new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_d\")) ,new caterwaul.syntax( \"_i\"))") ,qs4e: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"_c\") ,new caterwaul.syntax( \"_x\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"_y\") .prefix( \" \")) .prefix( \" \")") ,qs4f: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"_x\") ,new caterwaul.syntax( \"_y\") .prefix( \" \")) .prefix( \" \")") ,qs4g: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"_x\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_y\")) .prefix( \" \")) .prefix( \" \")") ,qs4h: ( " new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_x\")))") ,qs4i: ( " new caterwaul.syntax( \"0\")") ,qs4j: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"_f\") ,new caterwaul.syntax( \"_xs\"))") ,qs4k: ( " new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_du\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"_u\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs4l: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"cos\")) ,new caterwaul.syntax( \"_u\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_du\")) .prefix( \" \")) .prefix( \" \")") ,qs4m: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"_u\"))) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_du\")) .prefix( \" \")) .prefix( \" \")") ,qs4n: ( " new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_du\"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_u\")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_u\")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")") ,qs4o: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_u\")) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_du\")) .infix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"_du\") .prefix( \" \")) .prefix( \" \")") ,qs4p: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<=\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_a\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"_da\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"_db\") .prefix( \" \")) .prefix( \" \")") ,qs4q: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">=\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_a\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_b\")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"_da\") .prefix( \" \") .infix( \" \") ,new caterwaul.syntax( \"_db\") .prefix( \" \")) .prefix( \" \")") ,qs4r: ( " new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_n\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_x\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_x\")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_y\")) .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_y\")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs4s: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_x\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_dy\")) .prefix( \" \")) .prefix( \" \")") ,qs4t: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_y\")) ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_dx\")) .prefix( \" \")) .prefix( \" \")") ,qs4u: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_g\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \"function\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_formals\")) .prefix( \" \") ,new caterwaul.syntax( \"{\" ,new caterwaul.syntax( \"return\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"_g\") .prefix( \" \") ,new caterwaul.syntax( \"apply\")) ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"this\") ,new caterwaul.syntax( \"arguments\") .prefix( \" \"))))) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")))") ,qs4v: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs4w: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qs4x: ( " new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qs4y: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"y\")) .prefix( \" \")) .prefix( \" \")") ,qs4z: ( " new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"x\")))") ,qs50: ( " new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"x\"))") ,qs51: ( " new caterwaul.syntax( \"a\")") ,qs52: ( " new caterwaul.syntax( \"a\")") ,qs53: ( " new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"_v\") ,new caterwaul.syntax( \"_i\"))") ,qs54: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"x\") ,new caterwaul.syntax( \"y\") .prefix( \" \")) .prefix( \" \")") ,qs55: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"v\") .prefix( \" \"))") ,qs56: ( " new caterwaul.syntax( \"a\")") ,qs57: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"u\") ,new caterwaul.syntax( \"v\") .prefix( \" \"))") ,qs58: ( " new caterwaul.syntax( \"a\")") ,qs59: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"adjugate\") ,new caterwaul.syntax( \"a\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"det\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \")))") ,qs5a: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"rescale_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"det\") .prefix( \" \") ,new caterwaul.syntax( \"a\"))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"adjugate_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")))))") ,qs5b: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5c: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5d: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5e: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5f: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5g: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5h: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5i: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5j: ( " new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"2\") .prefix( \" \") ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")) .prefix( \" \")") ,qs5k: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))") ,qs5l: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"3\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \"\\n                                                                                                                        \") ,new caterwaul.syntax( \"3\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"+\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \"\\n                                                                                                                        \") ,new caterwaul.syntax( \"3\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \"\\n                                                                                                                        \") ,new caterwaul.syntax( \"3\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"0\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"1\"))) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"a\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"b\") .prefix( \" \") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) .prefix( \" \")))") ,qs5m: ( " new caterwaul.syntax( \"q\")") ,qs5n: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"0\"))) ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"1\"))) .prefix( \" \")) ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"2\"))) .prefix( \" \")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"q\") .prefix( \" \") ,new caterwaul.syntax( \"3\"))))") ,qs5o: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"axis\") ,new caterwaul.syntax( \"angle\") .prefix( \" \"))") ,qs5p: ( " new caterwaul.syntax( \"[\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"axis\") ,new caterwaul.syntax( \"0\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"angle\") ,new caterwaul.syntax( \"2\") .prefix( \" \")) .prefix( \" \"))) .prefix( \" \") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"axis\") .prefix( \" \") ,new caterwaul.syntax( \"1\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"angle\") ,new caterwaul.syntax( \"2\") .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"axis\") .prefix( \" \") ,new caterwaul.syntax( \"2\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"angle\") ,new caterwaul.syntax( \"2\") .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"cos\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"angle\") ,new caterwaul.syntax( \"2\") .prefix( \" \")) .prefix( \" \"))))") ,qs5q: ( " new caterwaul.syntax( \"q\")") ,qs5r: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"v\") .prefix( \" \"))") ,qs5s: ( " new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"_r\")) ,new caterwaul.syntax( \"[]\" ,new caterwaul.syntax( \"v\") .prefix( \" \") ,new caterwaul.syntax( \"_j\"))) .prefix( \" \")") ,qs5t: ( " new caterwaul.syntax( \"q\")") ,qs5u: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"conj\") ,new caterwaul.syntax( \"q\")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"q\") .prefix( \" \")))) .prefix( \" \")))") ,qs5v: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"rescale_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"q\") ,new caterwaul.syntax( \"q\") .prefix( \" \")))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"conj_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"q\") .prefix( \" \")))))") ,qs5w: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))") ,qs5x: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"unit\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"mixs\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"1\")) .prefix( \" \"))) ,new caterwaul.syntax( \"b\") .prefix( \" \")) .prefix( \" \"))))") ,qs5y: ( " new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"unit_into\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"combine_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") .prefix( \" \") ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"t\") .infix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")))))") ,qs5z: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"c\") .prefix( \" \"))") ,qs60: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">\" ,new caterwaul.syntax( \"c\") ,new caterwaul.syntax( \"0.9995\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"nlerp\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"macs\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"c\"))) .prefix( \" \")))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"t\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"c\"))) .prefix( \" \"))) ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"1.0\") .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"c\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")))) .prefix( \" \")") ,qs61: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">\" ,new caterwaul.syntax( \"c\") ,new caterwaul.syntax( \"0.9995\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"nlerp_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"combine_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"c\"))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"c\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \"\\n                                                                                                                                     \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"t\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"c\"))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"c\") .prefix( \" \") ,new caterwaul.syntax( \"c\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \"))) .prefix( \"       \")))) .prefix( \" \")") ,qs62: ( " new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))") ,qs63: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"slerp_cos\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"scale\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"b\") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"1\")) .prefix( \" \")))) ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"slerp_cos\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))))) .prefix( \" \")") ,qs64: ( " new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \">\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"abs\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) ,new caterwaul.syntax( \"0.9995\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"nlerp_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \" \")) ,new caterwaul.syntax( \"t\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"combine_into\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"out\") ,new caterwaul.syntax( \"a\") .prefix( \" \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"t\") .prefix( \" \")) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"abs\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))))) .prefix( \" \")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")) ,new caterwaul.syntax( \"b\") .prefix( \"\\n                                                                                                                                     \")) ,new caterwaul.syntax( \"/\" ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"(\" ,new caterwaul.syntax( \"?\" ,new caterwaul.syntax( \"<\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"0\") .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"u-\" ,new caterwaul.syntax( \"1\") .infix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"1\") .prefix( \" \")) .prefix( \" \")) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sin\")) ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"t\") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"acos\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") ,new caterwaul.syntax( \"abs\")) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))))) .prefix( \" \"))) .prefix( \" \") ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \".\" ,new caterwaul.syntax( \"Math\") .prefix( \" \") ,new caterwaul.syntax( \"sqrt\")) ,new caterwaul.syntax( \"-\" ,new caterwaul.syntax( \"1\") ,new caterwaul.syntax( \"*\" ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \"))) ,new caterwaul.syntax( \"()\" ,new caterwaul.syntax( \"dot\") .prefix( \" \") ,new caterwaul.syntax( \",\" ,new caterwaul.syntax( \"a\") ,new caterwaul.syntax( \"b\") .prefix( \" \")))) .prefix( \" \")) .prefix( \" \"))) .prefix( \" \")))) .prefix( \" \")")} ;return(result1)}) .call(this,new caterwaul.syntax( "(" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_formals")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "_e") .prefix( " "))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "min")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "max")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "macs_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "out") .prefix( " "))) ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "_formals") .prefix( " ")) ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "_each") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_formals")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( ";" ,new caterwaul.syntax( "var" ,new caterwaul.syntax( "_ts") .prefix( " ")) ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "_ws") .prefix( " ") ,new caterwaul.syntax( "out") .prefix( " "))) .prefix( " "))) .prefix( " "))) ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "_t") ,new caterwaul.syntax( "_e") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "_i")) ,new caterwaul.syntax( "_t") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "s") .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "s") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "s") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "s") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "_k")) ,new caterwaul.syntax( "_x") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "_f") ,new caterwaul.syntax( "_xs")) ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_to") ,new caterwaul.syntax( "_ti")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_from") .prefix( " ") ,new caterwaul.syntax( "_fi"))) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "_k")) ,new caterwaul.syntax( "_x") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "_k") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "_o") ,new caterwaul.syntax( "||" ,new caterwaul.syntax( "offset") .prefix( " ") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "_s") ,new caterwaul.syntax( "||" ,new caterwaul.syntax( "stride") .prefix( " ") ,new caterwaul.syntax( "_n") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "=" ,new caterwaul.syntax( "_t") ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_formals")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( ";" ,new caterwaul.syntax( "for" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( ";" ,new caterwaul.syntax( ";" ,new caterwaul.syntax( "var" ,new caterwaul.syntax( "_vs") .prefix( " ")) ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "_k") .prefix( " ") ,new caterwaul.syntax( "count") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "u++" ,new caterwaul.syntax( "_k")) .prefix( " ") ,new caterwaul.syntax( "+=" ,new caterwaul.syntax( "_o") .prefix( " ") ,new caterwaul.syntax( "_s") .prefix( " ")) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "_body") .prefix( " ")) ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "out") .prefix( " ")) .prefix( " "))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "_xs") .prefix( " ")) ,new caterwaul.syntax( "count") .prefix( " ")) ,new caterwaul.syntax( "offset") .prefix( " ")) ,new caterwaul.syntax( "stride") .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "_o") ,new caterwaul.syntax( "_i") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_u") ,new caterwaul.syntax( "_i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_v") .prefix( " ") ,new caterwaul.syntax( "_j"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_u") .prefix( " ") ,new caterwaul.syntax( "_j")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_v") .prefix( " ") ,new caterwaul.syntax( "_i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "_i")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_m")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "o") ,new caterwaul.syntax( "d") .prefix( " ")) ,new caterwaul.syntax( "lo") .prefix( " ")) ,new caterwaul.syntax( "hi") .prefix( " ")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "max")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " "))) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "===" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "lo") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "hi") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "Infinity") .infix( " ")) .prefix( " ") ,new caterwaul.syntax( "Infinity") .prefix( " ")) .prefix( " ")) .prefix( " ") .infix( "\n                                                                                                                                 ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "min")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "lo") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "hi") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "o") ,new caterwaul.syntax( "d") .prefix( " ")) ,new caterwaul.syntax( "lo") .prefix( " ")) ,new caterwaul.syntax( "hi") .prefix( " ")) ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "min")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " "))) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "===" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "lo") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "hi") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "Infinity") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "Infinity")) .prefix( " ")) .prefix( " ")) .prefix( " ") .infix( "\n                                                                                                                                 ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "max")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "lo") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "hi") ,new caterwaul.syntax( "i")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "o") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "d") .prefix( " ") ,new caterwaul.syntax( "i"))) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "t") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( ">=" ,new caterwaul.syntax( "t") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "t") .prefix( " ") ,new caterwaul.syntax( "Infinity") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "t") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "null") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "d") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "d") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "null") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "===" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "forward") .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "b")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "d"))) .prefix( " ")) ,new caterwaul.syntax( "a") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "null") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "forward") .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "b")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "d"))) .prefix( " ")) ,new caterwaul.syntax( "a") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "b")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "d"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "a") .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "t0") ,new caterwaul.syntax( "t1") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">=" ,new caterwaul.syntax( "t1") ,new caterwaul.syntax( "t0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "forward") .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">=" ,new caterwaul.syntax( "t0") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "t0") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "t1") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "null") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "k") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "k") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "0") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "combine") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "eta") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "k"))) .prefix( " "))) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "k") ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "0") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "combine_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "eta") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "k"))) .prefix( " "))) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "atan2")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "b")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))))))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "plus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "b")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a")))))))))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "mixs") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "mixs_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "macs") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "2")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "normal") .prefix( " ")))) .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "macs_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "2")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "normal") .prefix( " ")))) .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "refract_k") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "eta") .prefix( " ") ,new caterwaul.syntax( "eta") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " ")))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "refract_k_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "eta") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "eta") .prefix( " ") ,new caterwaul.syntax( "eta") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "normal") ,new caterwaul.syntax( "a") .prefix( " ")))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "limit") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "a") .prefix( " "))) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "limit") .prefix( " ") ,new caterwaul.syntax( "limit") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "limit") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " ") ,new caterwaul.syntax( "1") .prefix( " ")) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "a") .prefix( " "))) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "limit") .prefix( " ") ,new caterwaul.syntax( "limit") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "limit") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "norm") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " ") ,new caterwaul.syntax( "1") .prefix( " ")) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "min") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "max") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1")))))) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "min_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "max_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))))) ,new caterwaul.syntax( "out") .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "box") ,new caterwaul.syntax( "p") .prefix( " ")) ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "p") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "p") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") .prefix( " ") ,new caterwaul.syntax( "1"))))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1"))))) .prefix( " ") ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "max") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "min") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1")))))) .prefix( " ") .infix( " ") ,new caterwaul.syntax( "null") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "&&" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "le") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1"))))) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "max_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "min_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))))) ,new caterwaul.syntax( "out") .prefix( " "))) .prefix( " ") .infix( " ") ,new caterwaul.syntax( "null") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "direction") .prefix( " ")) ,new caterwaul.syntax( "point") .prefix( " ")) ,new caterwaul.syntax( "normal") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "forward") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "point") ,new caterwaul.syntax( "origin") .prefix( " "))) ,new caterwaul.syntax( "normal") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "direction") ,new caterwaul.syntax( "normal") .prefix( " ")))) .prefix( " ")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "direction") .prefix( " ")) ,new caterwaul.syntax( "center") .prefix( " ")) ,new caterwaul.syntax( "radius") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "nearest_root") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "direction") ,new caterwaul.syntax( "direction") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "center") .prefix( " "))) ,new caterwaul.syntax( "direction") .prefix( " ")))) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( "\n                                                                                                                                ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "center") .prefix( " "))) ,new caterwaul.syntax( "direction") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "center") .prefix( " "))) ,new caterwaul.syntax( "direction") .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "direction") ,new caterwaul.syntax( "direction") .prefix( " "))) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "center") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "minus") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "center") .prefix( " "))))) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "radius") .prefix( " ") ,new caterwaul.syntax( "radius") .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( "\n                                                                                                                              "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "direction") .prefix( " ")) ,new caterwaul.syntax( "box") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "slab") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "enter") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "direction") .prefix( " ")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") .prefix( " ") ,new caterwaul.syntax( "0"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") .prefix( " ") ,new caterwaul.syntax( "1")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "exit") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "origin") ,new caterwaul.syntax( "direction") .prefix( " ")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") .prefix( " ") ,new caterwaul.syntax( "0"))) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "box") .prefix( " ") ,new caterwaul.syntax( "1")))))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "_xs") ,new caterwaul.syntax( "_ds") .prefix( " ")) ,new caterwaul.syntax( "0") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_a")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_a")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_d")) ,new caterwaul.syntax( "_i")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "_c") ,new caterwaul.syntax( "_x") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "_y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "_x") ,new caterwaul.syntax( "_y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "_x") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_y")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_x"))) ,new caterwaul.syntax( "0") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "_f") ,new caterwaul.syntax( "_xs")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_du")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "_u"))) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "cos")) ,new caterwaul.syntax( "_u")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_du")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "_u"))) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_du")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_du"))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_u")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_u")) .prefix( " ")) .prefix( " ")) .prefix( " "))) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_u")) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_du")) .infix( " ")) .prefix( " ") ,new caterwaul.syntax( "_du") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<=" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_a")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "_da") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "_db") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">=" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_a")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_b")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "_da") .prefix( " ") .infix( " ") ,new caterwaul.syntax( "_db") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_n")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_x")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_x")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_y")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_y")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_x")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_dy")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_y")) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_dx")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_g")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "function" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_formals")) .prefix( " ") ,new caterwaul.syntax( "{" ,new caterwaul.syntax( "return" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "_g") .prefix( " ") ,new caterwaul.syntax( "apply")) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "this") ,new caterwaul.syntax( "arguments") .prefix( " "))))) .prefix( " ")) .prefix( " "))) .prefix( " "))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "y")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "x"))) ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "x")) ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "_v") ,new caterwaul.syntax( "_i")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "x") ,new caterwaul.syntax( "y") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "v") .prefix( " ")) ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "u") ,new caterwaul.syntax( "v") .prefix( " ")) ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "adjugate") ,new caterwaul.syntax( "a")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "det") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "rescale_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "det") .prefix( " ") ,new caterwaul.syntax( "a"))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "adjugate_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " "))))) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "2") .prefix( " ") ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "3")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( "\n                                                                                                                        ") ,new caterwaul.syntax( "3")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "+" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( "\n                                                                                                                        ") ,new caterwaul.syntax( "3")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( "\n                                                                                                                        ") ,new caterwaul.syntax( "3")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "3"))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "0"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "1"))) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "a") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "b") .prefix( " ") ,new caterwaul.syntax( "2"))) .prefix( " ")) .prefix( " "))) ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "0"))) ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "1"))) .prefix( " ")) ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "2"))) .prefix( " ")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "q") .prefix( " ") ,new caterwaul.syntax( "3")))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "axis") ,new caterwaul.syntax( "angle") .prefix( " ")) ,new caterwaul.syntax( "[" ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "axis") ,new caterwaul.syntax( "0")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "angle") ,new caterwaul.syntax( "2") .prefix( " ")) .prefix( " "))) .prefix( " ") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "axis") .prefix( " ") ,new caterwaul.syntax( "1")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "angle") ,new caterwaul.syntax( "2") .prefix( " ")) .prefix( " "))) .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "axis") .prefix( " ") ,new caterwaul.syntax( "2")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "angle") ,new caterwaul.syntax( "2") .prefix( " ")) .prefix( " "))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "cos")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "angle") ,new caterwaul.syntax( "2") .prefix( " ")) .prefix( " ")))) ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "v") .prefix( " ")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "_r")) ,new caterwaul.syntax( "[]" ,new caterwaul.syntax( "v") .prefix( " ") ,new caterwaul.syntax( "_j"))) .prefix( " ") ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "conj") ,new caterwaul.syntax( "q")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "q") .prefix( " ")))) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "rescale_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "q") ,new caterwaul.syntax( "q") .prefix( " ")))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "conj_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "q") .prefix( " "))))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "unit") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "mixs") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "1")) .prefix( " "))) ,new caterwaul.syntax( "b") .prefix( " ")) .prefix( " ")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "unit_into") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "combine_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") .prefix( " ") ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "t") .infix( " ")) .prefix( " ") ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " "))))) ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "c") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">" ,new caterwaul.syntax( "c") ,new caterwaul.syntax( "0.9995") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "nlerp") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "macs") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "c"))) .prefix( " ")))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "t") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "c"))) .prefix( " "))) ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "1.0") .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "c") .prefix( " ")) .prefix( " ")) .prefix( " "))) .prefix( " ")))) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">" ,new caterwaul.syntax( "c") ,new caterwaul.syntax( "0.9995") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "nlerp_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "combine_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "c"))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "c") .prefix( " ")) .prefix( " ")) .prefix( " "))) .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( "\n                                                                                                                                     ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "t") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "c"))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "c") .prefix( " ") ,new caterwaul.syntax( "c") .prefix( " ")) .prefix( " ")) .prefix( " "))) .prefix( "       ")))) .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "slerp_cos") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "scale") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "b") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "1")) .prefix( " ")))) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "slerp_cos") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))))) .prefix( " ") ,new caterwaul.syntax( "?" ,new caterwaul.syntax( ">" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "abs")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) ,new caterwaul.syntax( "0.9995") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "nlerp_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( " ")) ,new caterwaul.syntax( "t") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "combine_into") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "," ,new caterwaul.syntax( "out") ,new caterwaul.syntax( "a") .prefix( " ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "t") .prefix( " ")) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "abs")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))))) .prefix( " ")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " ")) .prefix( " "))) .prefix( " ")) ,new caterwaul.syntax( "b") .prefix( "\n                                                                                                                                     ")) ,new caterwaul.syntax( "/" ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "(" ,new caterwaul.syntax( "?" ,new caterwaul.syntax( "<" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "0") .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "u-" ,new caterwaul.syntax( "1") .infix( " ")) .prefix( " ") ,new caterwaul.syntax( "1") .prefix( " ")) .prefix( " ")) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sin")) ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "t") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "acos")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") ,new caterwaul.syntax( "abs")) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))))) .prefix( " "))) .prefix( " ") ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "." ,new caterwaul.syntax( "Math") .prefix( " ") ,new caterwaul.syntax( "sqrt")) ,new caterwaul.syntax( "-" ,new caterwaul.syntax( "1") ,new caterwaul.syntax( "*" ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " "))) ,new caterwaul.syntax( "()" ,new caterwaul.syntax( "dot") .prefix( " ") ,new caterwaul.syntax( "," ,new caterwaul.syntax( "a") ,new caterwaul.syntax( "b") .prefix( " ")))) .prefix( " ")) .prefix( " "))) .prefix( " ")))) .prefix( " "))) ;
\ No newline at end of file